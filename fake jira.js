@@ -0,0 +1,987 @@
+// fake jira for developing and demoing the board without a jira site.
+// when the board runs with jiraMode "fake" (token.js or ?jiraMode=fake) every
+// request goes to fakeJira.request instead of window.globalrequest, and is
+// answered from ./fixtures/<name>.json
+//
+// fixtures are either hand written (compact issues, see fixtures/demo.json)
+// or recorded from a live board by opening it with ?recordFixture=1 and using
+// the download fixture button. scenario steps change the data after a number
+// of board polls, e.g. { "afterPolls": 2, "key": "T1-5", "set": { "status": "Done" } }
+//
+// boards and sprints for the agile api come from "boards" and "sprints", sprint
+// dates can be given as startInDays / endInDays relative to today and compact
+// issues join one with "sprint": <id>
+//
+// other link types are given as "links": { "<type name>": ["KEY"] }, read
+// as "this issue <outward description> KEY"
+//
+// compact issues can be estimated with "points" (the story point estimate
+// field) or "estimateHours" (the original estimate)
+//
+// every status can be transitioned to from every other one. a fixture status
+// with "requiredFields": ["resolution"] rejects transitions into it the way a
+// transition screen with required fields does
+;(() => {
+  const DEFAULT_STATUSES = [
+    { name: "Backlog", category: "To Do" },
+    { name: "To Do", category: "To Do" },
+    { name: "In Progress", category: "In Progress" },
+    { name: "In Review", category: "In Progress" },
+    { name: "Done", category: "Done" },
+  ]
+  const CATEGORY_IDS = { "To Do": 2, "In Progress": 4, Done: 3 }
+  // the fields the board looks up by name, the rest of /field is left out
+  const FIELDS = [
+    { id: "summary", name: "Summary", custom: false },
+    {
+      id: "timeoriginalestimate",
+      name: "Original estimate",
+      custom: false,
+    },
+    {
+      id: "customfield_10020",
+      name: "Sprint",
+      custom: true,
+      schema: { custom: "com.pyxis.greenhopper.jira:gh-sprint" },
+    },
+    {
+      id: "customfield_10016",
+      name: "Story point estimate",
+      custom: true,
+    },
+  ]
+  const DEFAULT_LINK_TYPES = [
+    {
+      id: "10000",
+      name: "Blocks",
+      inward: "is blocked by",
+      outward: "blocks",
+    },
+    {
+      id: "10003",
+      name: "Relates",
+      inward: "relates to",
+      outward: "relates to",
+    },
+    {
+      id: "10004",
+      name: "Problem/Incident",
+      inward: "is caused by",
+      outward: "causes",
+    },
+    // a custom type where the outward side is the one waiting
+    {
+      id: "10100",
+      name: "Dependency",
+      inward: "is depended on by",
+      outward: "depends on",
+    },
+  ]
+  const TYPE_COLORS = {
+    Bug: "#e5493a",
+    Story: "#63ba3c",
+    Task: "#4bade8",
+    Subtask: "#4bade8",
+    Epic: "#904ee2",
+  }
+
+  let host = "fake.atlassian.net"
+  let fixtureImageReplaces = {}
+  let myself = null
+  let projects = []
+  // project id or key -> raw /project/{id}/statuses response
+  let projectStatuses = {}
+  let workflow = DEFAULT_STATUSES
+  let linkTypes = DEFAULT_LINK_TYPES
+  // key -> { id, key, fields } with the issuelinks kept in links instead
+  const issues = new Map()
+  // { id, type, inward, outward } where inward blocks outward
+  let links = []
+  // brief copies of linked issues that are not part of the fixture
+  const outsideIssues = {}
+  const users = new Map()
+  let boards = []
+  let sprints = []
+  // issue key -> [{ id, author, body, created }] with adf bodies
+  const comments = new Map()
+  let scenario = []
+  let polls = 0
+  let rateLimitedRequests = 0
+  let nextId = 20000
+  let recording = null
+
+  async function load(name) {
+    const res = await fetch(`./fixtures/${name}.json`)
+    if (!res.ok)
+      throw new Error(`fake jira fixture "${name}" was not found`)
+    loadFixture(await res.json())
+  }
+
+  function loadFixture(fixture) {
+    host = fixture.domain ?? host
+    fixtureImageReplaces = fixture.imageReplaces ?? {}
+    workflow = fixture.statuses ?? DEFAULT_STATUSES
+    linkTypes = fixture.linkTypes ?? DEFAULT_LINK_TYPES
+    projectStatuses = fixture.projectStatuses ?? {}
+    scenario = (fixture.scenario ?? []).map((step) => ({
+      ...step,
+      applied: false,
+    }))
+    for (const user of fixture.users ?? []) {
+      users.set(user.accountId, makeUser(user))
+    }
+    boards = fixture.boards ?? []
+    sprints = (fixture.sprints ?? []).map(
+      ({ startInDays, endInDays, ...sprint }) => ({
+        startDate: daysFromNow(startInDays),
+        endDate: daysFromNow(endInDays),
+        ...sprint,
+      }),
+    )
+    projects = (fixture.projects ?? []).map((project, i) => ({
+      id: String(10000 + i),
+      name: project.key,
+      ...project,
+    }))
+    for (const issue of fixture.issues ?? []) {
+      if (issue.fields) addRecordedIssue(issue)
+      else addCompactIssue(issue)
+    }
+    // compact issues list what they block, links are built once all exist
+    for (const issue of fixture.issues ?? []) {
+      if (issue.fields) continue
+      for (const blocked of issue.blocks ?? []) {
+        addLink("Blocks", issue.key, blocked)
+      }
+      for (const related of issue.relatesTo ?? []) {
+        addLink("Relates", issue.key, related)
+      }
+      for (const [type, keys] of Object.entries(issue.links ?? {})) {
+        for (const key of keys) addLink(type, issue.key, key)
+      }
+    }
+    myself =
+      typeof fixture.myself == "object" ?
+        fixture.myself
+      : {
+          ...(users.get(fixture.myself) ?? [...users.values()][0]),
+          emailAddress: "me@example.com",
+        }
+  }
+
+  function makeUser({ accountId, displayName, initials }) {
+    initials ??= displayName
+      .split(/\s+/)
+      .map((w) => w[0])
+      .join("")
+      .toUpperCase()
+    // same shape as jira cloud so imageReplaces can map the initials
+    const initialsUrl = `https://avatar-management--avatars.us-west-2.prod.public.atl-paas.net/initials/${initials}-0.png`
+    const avatar = `https://secure.gravatar.com/avatar/${accountId}?d=${encodeURIComponent(initialsUrl)}`
+    return {
+      accountId,
+      displayName,
+      active: true,
+      avatarUrls: {
+        "48x48": avatar,
+        "24x24": avatar,
+        "16x16": avatar,
+        "32x32": avatar,
+      },
+    }
+  }
+
+  // data center users are keyed by username and link their own avatars
+  function toServerUser(user) {
+    const name = user.displayName.toLowerCase().replace(/\s+/g, ".")
+    const initials = user.displayName
+      .split(/\s+/)
+      .map((w) => w[0])
+      .join("")
+      .toUpperCase()
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48"><rect width="48" height="48" fill="#555"/><text x="24" y="30" fill="#fff" font-family="sans-serif" font-size="18" text-anchor="middle">${initials}</text></svg>`
+    const avatar = "data:image/svg+xml," + encodeURIComponent(svg)
+    return {
+      name,
+      key: name,
+      displayName: user.displayName,
+      emailAddress: user.emailAddress,
+      active: true,
+      avatarUrls: { "48x48": avatar, "24x24": avatar },
+    }
+  }
+
+  function toServerUsers(value) {
+    if (Array.isArray(value)) return value.map(toServerUsers)
+    if (!value || typeof value != "object" || value instanceof Blob)
+      return value
+    if (value.accountId && value.displayName)
+      return toServerUser(value)
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, toServerUsers(v)]),
+    )
+  }
+
+  function findUser(nameOrId) {
+    if (!nameOrId) return null
+    return (
+      users.get(nameOrId) ??
+      [...users.values()].find(
+        (u) =>
+          u.displayName == nameOrId ||
+          toServerUser(u).name == nameOrId,
+      ) ??
+      null
+    )
+  }
+
+  function makeStatus(name) {
+    const category =
+      workflow.find((s) => s.name == name)?.category ?? "To Do"
+    return {
+      name,
+      id: String(workflow.findIndex((s) => s.name == name) + 1),
+      statusCategory: {
+        id: CATEGORY_IDS[category],
+        key: category.toLowerCase().replace(" ", ""),
+        name: category,
+      },
+    }
+  }
+
+  // one transition per status, named after it like the default jira workflow
+  function transitionsFor(issue) {
+    return workflow
+      .filter((s) => s.name != issue.fields.status.name)
+      .map((s) => {
+        const to = makeStatus(s.name)
+        return { id: `${to.id}1`, name: s.name, to }
+      })
+  }
+
+  function makeIssueType(name) {
+    const color = TYPE_COLORS[name] ?? "#888"
+    const icon = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect width="16" height="16" rx="3" fill="${color}"/></svg>`
+    return {
+      name,
+      subtask: name == "Subtask",
+      iconUrl: "data:image/svg+xml," + encodeURIComponent(icon),
+    }
+  }
+
+  function addCompactIssue(issue) {
+    const id = String(nextId++)
+    const attachments = Array.from(
+      { length: issue.attachments ?? 0 },
+      (_, i) => makeAttachment(`${issue.key}-${i + 1}.svg`),
+    )
+    issues.set(issue.key, {
+      id,
+      key: issue.key,
+      fields: {
+        summary: issue.summary,
+        status: makeStatus(issue.status ?? "To Do"),
+        assignee: findUser(issue.assignee),
+        issuetype: makeIssueType(issue.type ?? "Task"),
+        priority: { name: issue.priority ?? "Medium" },
+        parent: issue.parent ? { key: issue.parent } : undefined,
+        labels: issue.labels ?? [],
+        attachment: attachments,
+        description: issue.description,
+        // where jira cloud keeps the sprint on the demo sites
+        customfield_10020: sprints
+          .filter((s) => s.id == issue.sprint)
+          .map(({ id, name, state }) => ({ id, name, state })),
+        customfield_10016: issue.points ?? null,
+        timeoriginalestimate:
+          issue.estimateHours ? issue.estimateHours * 3600 : null,
+        updated: new Date().toISOString(),
+      },
+    })
+    for (const comment of issue.comments ?? []) {
+      addComment(issue.key, findUser(comment.author), comment.body)
+    }
+  }
+
+  function makeAttachment(filename) {
+    const id = String(nextId++)
+    return {
+      id,
+      filename,
+      mimeType: "image/svg+xml",
+      size: 0,
+      content: `https://${host}/rest/api/3/attachment/content/${id}`,
+      author: { displayName: "fake jira" },
+      created: new Date().toISOString(),
+    }
+  }
+
+  function addRecordedIssue(issue) {
+    const { issuelinks = [], ...fields } = issue.fields
+    issues.set(issue.key, { id: issue.id, key: issue.key, fields })
+    if (fields.assignee)
+      users.set(fields.assignee.accountId, fields.assignee)
+    for (const link of issuelinks) {
+      const other = link.inwardIssue ?? link.outwardIssue
+      outsideIssues[other.key] ??= other
+      if (links.some((l) => l.id == link.id)) continue
+      links.push({
+        id: link.id,
+        type: link.type.name,
+        inward: link.inwardIssue ? other.key : issue.key,
+        outward: link.inwardIssue ? issue.key : other.key,
+      })
+    }
+  }
+
+  function addLink(type, inward, outward) {
+    const link = { id: String(nextId++), type, inward, outward }
+    links.push(link)
+    touch(inward)
+    touch(outward)
+    return link
+  }
+
+  function touch(key) {
+    const issue = issues.get(key)
+    if (issue) issue.fields.updated = new Date().toISOString()
+  }
+
+  function briefIssue(key) {
+    const issue = issues.get(key)
+    if (!issue)
+      return (
+        outsideIssues[key] ?? {
+          key,
+          fields: { summary: key, status: makeStatus("To Do") },
+        }
+      )
+    const { summary, status, priority, issuetype } = issue.fields
+    return {
+      id: issue.id,
+      key,
+      fields: { summary, status, priority, issuetype },
+    }
+  }
+
+  function issueLinksFor(key) {
+    return links.flatMap((link) => {
+      const type = linkTypes.find((t) => t.name == link.type) ?? {
+        name: link.type,
+      }
+      if (link.outward == key)
+        return [
+          { id: link.id, type, inwardIssue: briefIssue(link.inward) },
+        ]
+      if (link.inward == key)
+        return [
+          {
+            id: link.id,
+            type,
+            outwardIssue: briefIssue(link.outward),
+          },
+        ]
+      return []
+    })
+  }
+
+  function daysFromNow(days) {
+    if (days == null) return undefined
+    return new Date(Date.now() + days * 86400000).toISOString()
+  }
+
+  function addComment(key, author, body) {
+    const comment = {
+      id: String(nextId++),
+      author: author ?? myself,
+      body: typeof body == "string" ? textToAdf(body) : body,
+      created: new Date().toISOString(),
+    }
+    comments.set(key, [...(comments.get(key) ?? []), comment])
+    touch(key)
+    return comment
+  }
+
+  function textToAdf(text) {
+    return {
+      type: "doc",
+      version: 1,
+      content: text.split(/\n{2,}/).map((block) => ({
+        type: "paragraph",
+        content: [{ type: "text", text: block }],
+      })),
+    }
+  }
+
+  function adfToText(node) {
+    if (typeof node == "string") return node
+    if (node?.type == "text") return node.text
+    if (node?.type == "mention") return node.attrs?.text ?? ""
+    const text = (node?.content ?? []).map(adfToText).join("")
+    return node?.type == "paragraph" ? text + "\n\n" : text
+  }
+
+  // description and comment bodies are adf on v3 and wiki text on v2
+  function toBody(body, server) {
+    if (body == null) return body
+    if (server) return adfToText(body).trim()
+    return typeof body == "string" ? textToAdf(body) : body
+  }
+
+  function toJiraIssue(issue, fields, server = false) {
+    const all = {
+      ...issue.fields,
+      description: toBody(issue.fields.description, server),
+      parent:
+        issue.fields.parent && briefIssue(issue.fields.parent.key),
+      subtasks: [...issues.values()]
+        .filter((other) => other.fields.parent?.key == issue.key)
+        .map((other) => briefIssue(other.key)),
+      issuelinks: issueLinksFor(issue.key),
+    }
+    const picked =
+      !fields || fields.includes("*all") ?
+        all
+      : Object.fromEntries(
+          fields.filter((f) => f in all).map((f) => [f, all[f]]),
+        )
+    return { id: issue.id, key: issue.key, fields: picked }
+  }
+
+  /* =========================
+     JQL
+  ========================== */
+
+  // values of a `field = x` or `field IN (x, y)` clause, null if absent
+  function clauseValues(jql, field) {
+    const match = jql.match(
+      new RegExp(
+        `\\b${field}\\s*(?:=|\\bin\\b)\\s*(\\([^)]*\\)|"[^"]*"|[\\w.-]+)`,
+        "i",
+      ),
+    )
+    if (!match) return null
+    return match[1]
+      .replace(/^\(|\)$/g, "")
+      .split(",")
+      .map((v) => v.trim().replace(/^"|"$/g, ""))
+      .filter(Boolean)
+  }
+
+  function checkJql(jql) {
+    let depth = 0
+    for (const char of jql.replace(/"[^"]*"/g, "")) {
+      if (char == "(") depth++
+      if (char == ")") depth--
+      if (depth < 0) break
+    }
+    if (depth != 0 || (jql.match(/"/g)?.length ?? 0) % 2)
+      return [
+        "Error in the JQL Query: the query has unbalanced parentheses or quotes.",
+      ]
+    // like jira, naming an issue that doesnt exist fails the whole query
+    return (clauseValues(jql, "key") ?? [])
+      .filter((key) => !issues.has(key))
+      .map(
+        (key) =>
+          `An issue with key '${key}' does not exist for field 'key'.`,
+      )
+  }
+
+  // the board scopes a sprint to one project of several with
+  // ((project = X AND sprint = n) OR project IN (...)), the only OR it sends
+  const SPRINT_SCOPE =
+    /\(\((project\s*=\s*[^)]*?)\)\s+OR\s+(project\s+IN\s*\([^)]*\))\)/i
+
+  function searchIssues(jql) {
+    const scope = jql.match(SPRINT_SCOPE)
+    if (scope) {
+      const found = new Set(
+        [scope[1], scope[2]].flatMap((part) =>
+          searchIssues(jql.replace(SPRINT_SCOPE, part)),
+        ),
+      )
+      return [...issues.values()]
+        .filter((issue) => found.has(issue))
+        .sort((a, b) => Number(b.id) - Number(a.id))
+    }
+    const where = jql.replace(/\border\s+by\b[\s\S]*$/i, "")
+    const projectKeys = clauseValues(where, "project")
+    const keys = clauseValues(where, "key")
+    const labels = clauseValues(where, "labels")
+    const statuses = clauseValues(where, "status")
+    const assignees = clauseValues(where, "assignee")
+    const sprintIds = clauseValues(where, "sprint")
+    const updatedMins = where.match(/updated\s*>=\s*-(\d+)m/i)?.[1]
+    const needsAssignee = /assignee\s+is\s+not\s+empty/i.test(where)
+    const projectOf = (key) => key.replace(/-\d+$/, "")
+    return [...issues.values()]
+      .filter(
+        (issue) =>
+          (!projectKeys ||
+            projectKeys.some(
+              (p) =>
+                p == projectOf(issue.key) ||
+                projects.find((x) => x.id == p)?.key ==
+                  projectOf(issue.key),
+            )) &&
+          (!keys || keys.includes(issue.key)) &&
+          (!labels ||
+            labels.some((l) => issue.fields.labels?.includes(l))) &&
+          (!statuses ||
+            statuses.includes(issue.fields.status.name)) &&
+          (!assignees ||
+            assignees.some(
+              (a) =>
+                issue.fields.assignee?.displayName == a ||
+                issue.fields.assignee?.accountId == a,
+            )) &&
+          (!needsAssignee || issue.fields.assignee) &&
+          (!sprintIds ||
+            issue.fields.customfield_10020?.some((s) =>
+              sprintIds.includes(String(s.id)),
+            )) &&
+          (!updatedMins ||
+            Date.now() - Date.parse(issue.fields.updated) <=
+              updatedMins * 60000),
+      )
+      .sort((a, b) => Number(b.id) - Number(a.id))
+  }
+
+  /* =========================
+     SCENARIOS
+  ========================== */
+
+  function runScenario() {
+    for (const step of scenario) {
+      if (step.applied || step.afterPolls >= polls) continue
+      step.applied = true
+      if (step.key && step.set) {
+        const issue = issues.get(step.key)
+        if (!issue) continue
+        const { status, assignee, ...rest } = step.set
+        if (status) issue.fields.status = makeStatus(status)
+        if (assignee !== undefined)
+          issue.fields.assignee = findUser(assignee)
+        Object.assign(issue.fields, rest)
+        touch(step.key)
+      }
+      if (step.addLink) addLink("Blocks", ...step.addLink)
+      if (step.removeLink) {
+        const [inward, outward] = step.removeLink
+        links = links.filter(
+          (l) => !(l.inward == inward && l.outward == outward),
+        )
+        touch(inward)
+        touch(outward)
+      }
+      if (step.add) addCompactIssue(step.add)
+      if (step.remove) issues.delete(step.remove)
+      if (step.rateLimit) rateLimitedRequests += step.rateLimit
+      info("fake jira scenario step applied", step)
+    }
+  }
+
+  /* =========================
+     REQUESTS
+  ========================== */
+
+  function respond(status, body, headers = {}) {
+    const isBlob = body instanceof Blob
+    const text =
+      isBlob ? ""
+      : typeof body == "string" ? body
+      : JSON.stringify(body)
+    return {
+      status,
+      text,
+      responseText: text,
+      response: isBlob ? body : text,
+      responseHeaders: Object.entries({
+        "content-type": isBlob ? body.type : "application/json",
+        ...headers,
+      })
+        .map(([k, v]) => `${k}: ${v}`)
+        .join("\r\n"),
+    }
+  }
+
+  function notFound(path) {
+    return respond(404, {
+      errorMessages: [`fake jira has no handler for ${path}`],
+    })
+  }
+
+  // same signature and response shape as window.globalrequest
+  async function request(data, otherData) {
+    if (typeof data == "string") data = { ...otherData, url: data }
+    // a little latency so loading states show up like they do live
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    if (rateLimitedRequests > 0) {
+      rateLimitedRequests--
+      return respond(
+        429,
+        { errorMessages: ["Rate limit exceeded."] },
+        { "retry-after": "2" },
+      )
+    }
+    // the host is whatever token.js says, only the path matters here
+    const url = new URL(
+      data.url.replace(/^https?:\/\/[^/]+/, ""),
+      `https://${host}`,
+    )
+    const path = url.pathname.replace(/^\/jira(?=\/)/, "")
+    const params = url.searchParams
+    const method = (data.method ?? "GET").toUpperCase()
+    // v2 is what data center and server speak
+    const server = path.includes("/rest/api/2/")
+    const reply = (status, body, headers) =>
+      respond(status, server ? toServerUsers(body) : body, headers)
+    let match
+
+    if (path.endsWith("/myself")) return reply(200, myself)
+
+    if (path.endsWith(server ? "/api/2/search" : "/search/jql")) {
+      const jql = params.get("jql") ?? ""
+      const fields = params.get("fields")?.split(",")
+      const errorMessages = checkJql(jql)
+      if (errorMessages.length) return respond(400, { errorMessages })
+      const offset = Number(
+        params.get(server ? "startAt" : "nextPageToken") ?? 0,
+      )
+      // a poll is the first page of a board query, not a lookup of the
+      // blockers that arent on the board
+      if (
+        !offset &&
+        fields?.includes("issuelinks") &&
+        !/^key in \(/i.test(jql)
+      ) {
+        polls++
+        runScenario()
+      }
+      const found = searchIssues(jql)
+      const maxResults = Number(params.get("maxResults") ?? 50)
+      const page = found
+        .slice(offset, offset + maxResults)
+        .map((issue) => toJiraIssue(issue, fields, server))
+      const isLast = offset + maxResults >= found.length
+      if (server)
+        return reply(200, {
+          issues: page,
+          startAt: offset,
+          maxResults,
+          total: found.length,
+        })
+      return reply(200, {
+        issues: page,
+        isLast,
+        nextPageToken:
+          isLast ? undefined : String(offset + maxResults),
+      })
+    }
+
+    if (server && path.endsWith("/project"))
+      return reply(200, projects)
+
+    if (path.endsWith("/field")) return reply(200, FIELDS)
+
+    if (path.endsWith("/issueLinkType"))
+      return reply(200, { issueLinkTypes: linkTypes })
+
+    if (path.endsWith("/issueLink") && method == "POST") {
+      const body = JSON.parse(data.data ?? "{}")
+      const inward = body.inwardIssue?.key
+      const outward = body.outwardIssue?.key
+      const missing = [inward, outward].find(
+        (key) => !issues.has(key),
+      )
+      if (missing !== undefined)
+        return respond(404, {
+          errorMessages: [`Issue ${missing} does not exist.`],
+          errors: {},
+        })
+      if (!linkTypes.some((t) => t.name == body.type?.name))
+        return respond(404, {
+          errorMessages: [
+            `No issue link type with name '${body.type?.name}' found.`,
+          ],
+          errors: {},
+        })
+      addLink(body.type.name, inward, outward)
+      return respond(201, "")
+    }
+
+    if ((match = path.match(/\/issueLink\/([^/]+)$/))) {
+      const link = links.find((l) => l.id == match[1])
+      if (!link) return notFound(path)
+      if (method == "DELETE") {
+        links = links.filter((l) => l != link)
+        touch(link.inward)
+        touch(link.outward)
+        return respond(204, "")
+      }
+      return reply(200, {
+        id: link.id,
+        type: linkTypes.find((t) => t.name == link.type),
+        inwardIssue: briefIssue(link.inward),
+        outwardIssue: briefIssue(link.outward),
+      })
+    }
+
+    if (path.endsWith("/rest/agile/1.0/board")) {
+      const project = params.get("projectKeyOrId")
+      const type = params.get("type")
+      const values = boards.filter(
+        (b) =>
+          (!project ||
+            b.project == project ||
+            projects.find((p) => p.id == project)?.key ==
+              b.project) &&
+          (!type || b.type == type),
+      )
+      return respond(200, {
+        values,
+        startAt: 0,
+        maxResults: 50,
+        total: values.length,
+        isLast: true,
+      })
+    }
+
+    if (
+      (match = path.match(
+        /\/rest\/agile\/1\.0\/board\/([^/]+)\/sprint$/,
+      ))
+    ) {
+      const board = boards.find((b) => b.id == match[1])
+      if (!board) return notFound(path)
+      if (board.type != "scrum")
+        return respond(400, {
+          errorMessages: ["The board does not support sprints"],
+        })
+      const states = params.get("state")?.split(",")
+      const startAt = Number(params.get("startAt") ?? 0)
+      const maxResults = Number(params.get("maxResults") ?? 50)
+      const found = sprints.filter(
+        (s) =>
+          s.board == board.id &&
+          (!states || states.includes(s.state)),
+      )
+      return respond(200, {
+        values: found
+          .slice(startAt, startAt + maxResults)
+          .map(({ board, ...s }) => ({ ...s, originBoardId: board })),
+        startAt,
+        maxResults,
+        isLast: startAt + maxResults >= found.length,
+      })
+    }
+
+    if (path.endsWith("/user/assignable/search")) {
+      const startAt = Number(params.get("startAt") ?? 0)
+      const maxResults = Number(params.get("maxResults") ?? 50)
+      return reply(
+        200,
+        [...users.values()].slice(startAt, startAt + maxResults),
+      )
+    }
+
+    if (
+      (match = path.match(/\/issue\/([^/]+)\/assignee$/)) &&
+      method == "PUT"
+    ) {
+      const issue = issues.get(match[1])
+      if (!issue) return notFound(path)
+      const body = JSON.parse(data.data ?? "{}")
+      const id = server ? body.name : body.accountId
+      const user = findUser(id)
+      if (id && !user)
+        return respond(400, {
+          errorMessages: [],
+          errors: {
+            assignee: `User '${id}' cannot be assigned issues.`,
+          },
+        })
+      issue.fields.assignee = user
+      touch(issue.key)
+      return respond(204, "")
+    }
+
+    if ((match = path.match(/\/issue\/([^/]+)\/comment$/))) {
+      if (!issues.has(match[1])) return notFound(path)
+      if (method == "POST") {
+        const body = JSON.parse(data.data ?? "{}").body
+        if (!body || !adfToText(body).trim())
+          return respond(400, {
+            errorMessages: [],
+            errors: { comment: "Comment body can not be empty!" },
+          })
+        const comment = addComment(match[1], myself, body)
+        return reply(201, { ...comment, body: toBody(body, server) })
+      }
+      const all = comments.get(match[1]) ?? []
+      return reply(200, {
+        comments: all.map((c) => ({
+          ...c,
+          body: toBody(c.body, server),
+        })),
+        startAt: 0,
+        maxResults: all.length,
+        total: all.length,
+      })
+    }
+
+    if ((match = path.match(/\/issue\/([^/]+)$/))) {
+      const issue = issues.get(match[1])
+      if (!issue) return notFound(path)
+      return reply(
+        200,
+        toJiraIssue(issue, params.get("fields")?.split(","), server),
+      )
+    }
+
+    if ((match = path.match(/\/issue\/([^/]+)\/transitions$/))) {
+      const issue = issues.get(match[1])
+      if (!issue) return notFound(path)
+      if (method == "GET")
+        return reply(200, { transitions: transitionsFor(issue) })
+      const body = JSON.parse(data.data ?? "{}")
+      const transition = transitionsFor(issue).find(
+        (t) => t.id == body.transition?.id,
+      )
+      if (!transition)
+        return respond(400, {
+          errorMessages: [
+            `Transition id '${body.transition?.id}' is not valid for this issue.`,
+          ],
+          errors: {},
+        })
+      const required = (
+        workflow.find((s) => s.name == transition.to.name)
+          ?.requiredFields ?? []
+      ).filter((field) => body.fields?.[field] == null)
+      if (required.length)
+        return respond(400, {
+          errorMessages: [],
+          errors: Object.fromEntries(
+            required.map((field) => [field, `${field} is required.`]),
+          ),
+        })
+      issue.fields.status = makeStatus(transition.to.name)
+      touch(issue.key)
+      return respond(204, "")
+    }
+
+    if (path.endsWith("/project/search")) {
+      const startAt = Number(params.get("startAt") ?? 0)
+      const maxResults = Number(params.get("maxResults") ?? 50)
+      const values = projects.slice(startAt, startAt + maxResults)
+      return respond(200, {
+        values,
+        startAt,
+        maxResults,
+        total: projects.length,
+        isLast: startAt + maxResults >= projects.length,
+      })
+    }
+
+    if ((match = path.match(/\/project\/([^/]+)\/statuses$/))) {
+      const project = projects.find(
+        (p) => p.id == match[1] || p.key == match[1],
+      )
+      const recorded =
+        projectStatuses[match[1]] ??
+        projectStatuses[project?.id] ??
+        projectStatuses[project?.key]
+      if (recorded) return respond(200, recorded)
+      if (!project) return notFound(path)
+      return respond(
+        200,
+        ["Task", "Bug", "Story", "Subtask"].map((type, i) => ({
+          id: String(i + 1),
+          name: type,
+          subtask: type == "Subtask",
+          statuses: workflow.map((s) => makeStatus(s.name)),
+        })),
+      )
+    }
+
+    if ((match = path.match(/\/attachment\/content\/([^/]+)$/))) {
+      const attachment = [...issues.values()]
+        .flatMap((i) => i.fields.attachment ?? [])
+        .find((att) => att.id == match[1])
+      if (!attachment) return notFound(path)
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="120"><rect width="200" height="120" fill="#2d2d2d"/><text x="100" y="65" fill="#aaa" font-family="sans-serif" font-size="14" text-anchor="middle">${attachment.filename}</text></svg>`
+      return respond(200, new Blob([svg], { type: "image/svg+xml" }))
+    }
+
+    warn("fake jira got an unhandled request", method, path)
+    return notFound(path)
+  }
+
+  /* =========================
+     RECORDING
+  ========================== */
+
+  // called with every successful live response while ?recordFixture=1 is set
+  function record(data, res) {
+    recording ??= {
+      myself: null,
+      projects: {},
+      projectStatuses: {},
+      issues: {},
+    }
+    const path = data.url
+      .replace(/^https?:\/\/[^/]+/, "")
+      .replace(/\?.*$/, "")
+    if (!res.text || res.status !== 200) return
+    let match
+    if (path.endsWith("/myself")) {
+      recording.myself = JSON.parse(res.text)
+    } else if (path.endsWith("/project/search")) {
+      for (const project of JSON.parse(res.text).values)
+        recording.projects[project.key] = project
+    } else if (
+      (match = path.match(/\/project\/([^/]+)\/statuses$/))
+    ) {
+      recording.projectStatuses[match[1]] = JSON.parse(res.text)
+    } else if (path.endsWith("/search/jql")) {
+      for (const issue of JSON.parse(res.text).issues ?? []) {
+        // only keep full board issues, not the lookups for single fields
+        if (issue.fields?.issuelinks && issue.fields.summary)
+          recording.issues[issue.key] = issue
+      }
+    }
+  }
+
+  function exportRecording() {
+    if (!recording) return null
+    return {
+      myself: recording.myself,
+      projects: Object.values(recording.projects),
+      projectStatuses: recording.projectStatuses,
+      issues: Object.values(recording.issues),
+      scenario: [],
+    }
+  }
+
+  // lets the board run from a bare checkout with no token.js
+  function ensureConfigGlobals() {
+    if (typeof domain == "undefined") window.domain = host
+    if (typeof email == "undefined") window.email = "me@example.com"
+    if (typeof apiToken == "undefined") window.apiToken = "fake"
+    if (typeof currentProject == "undefined")
+      window.currentProject = projects[0]?.key ?? "T1"
+    if (typeof imageReplaces == "undefined")
+      window.imageReplaces = fixtureImageReplaces
+  }
+
+  window.fakeJira = {
+    load,
+    loadFixture,
+    request,
+    record,
+    exportRecording,
+    ensureConfigGlobals,
+  }
+})()
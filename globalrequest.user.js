@@ -1,6 +1,6 @@
 // ==UserScript==
 // @name         globalrequest
-// @version      2
+// @version      3
 // @description  none
 // @run-at       document-start
 // @author       rssaromeo
@@ -25,9 +25,12 @@ function c() {
       }
       var temp
       data.onload = (e) => (temp = e)
+      // network failures resolve with status 0 instead of never resolving
+      data.onerror = data.ontimeout = data.onabort = (e) => (temp = e)
       GM_xmlhttpRequest(data)
       await waituntil(() => temp)
-      temp.text = temp.responseText
+      temp.text = temp.responseText ?? ""
+      temp.status ??= 0
       return temp
     }
   }
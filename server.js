@@ -0,0 +1,269 @@
+// serves the board and proxies /jira/* to the jira site from token.js so the
+// globalrequest userscript is not needed and the api token stays server side.
+// without token.js it uses the site and token saved in the board settings.
+// needs node 18+, no packages. run with `node server.js`
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+
+const PORT = Number(process.env.PORT || 15432)
+const ROOT = __dirname
+const TOKEN_FILE = path.join(ROOT, "token.js")
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/plain; charset=utf-8",
+}
+// request headers passed through to jira, everything else is dropped
+const FORWARDED_HEADERS = [
+  "accept",
+  "content-type",
+  "x-atlassian-token",
+]
+// response headers passed back to the board
+const RETURNED_HEADERS = [
+  "content-type",
+  "retry-after",
+  "cache-control",
+]
+// the only files the board needs. token.js, .git and the rest of the repo
+// are never served from disk
+const PUBLIC_FILES = new Set([
+  "main.html",
+  "style.css",
+  "dark.css",
+  "favicon.ico",
+  "fake jira.js",
+])
+const PUBLIC_DIRS = new Set(["js globals", "images", "fixtures"])
+// a page on another site can point a dns name at 127.0.0.1, so the host
+// header is checked too
+const ALLOWED_HOSTS = new Set([
+  `127.0.0.1:${PORT}`,
+  `localhost:${PORT}`,
+])
+const ALLOWED_ORIGINS = new Set(
+  [...ALLOWED_HOSTS].map((host) => `http://${host}`),
+)
+
+// without credentials of its own the proxy passes on the ones from the
+// settings dialog, with the jira site in this header
+const DOMAIN_HEADER = "x-jira-domain"
+const DOMAIN_PATTERN = /^[a-z0-9.-]+(:\d+)?$/i
+// env vars win over token.js so the token never has to be in a file
+function readConfig() {
+  let config = {}
+  if (fs.existsSync(TOKEN_FILE)) {
+    const code = fs.readFileSync(TOKEN_FILE, "utf8")
+    config = vm.runInNewContext(
+      `${code}
+      ;({
+        apiToken: typeof apiToken == "undefined" ? undefined : apiToken,
+        domain: typeof domain == "undefined" ? undefined : domain,
+        email: typeof email == "undefined" ? undefined : email,
+        deploymentType:
+          typeof deploymentType == "undefined" ? undefined : deploymentType,
+      })`,
+      {},
+      { filename: TOKEN_FILE },
+    )
+  }
+  return {
+    domain: process.env.JIRA_DOMAIN || config.domain,
+    email: process.env.JIRA_EMAIL || config.email,
+    apiToken: process.env.JIRA_API_TOKEN || config.apiToken,
+    deploymentType:
+      process.env.JIRA_DEPLOYMENT || config.deploymentType || "cloud",
+  }
+}
+
+function hasCredentials(config) {
+  return !!(config.domain && config.apiToken)
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+async function proxyToJira(req, res) {
+  let config
+  try {
+    config = readConfig()
+  } catch (e) {
+    return sendJson(res, 500, {
+      errorMessages: [`token.js could not be read: ${e.message}`],
+    })
+  }
+  const headers = {}
+  if (hasCredentials(config)) {
+    // data center personal access tokens are sent on their own
+    headers.Authorization =
+      config.deploymentType == "datacenter" ?
+        `Bearer ${config.apiToken}`
+      : "Basic " +
+        Buffer.from(`${config.email}:${config.apiToken}`).toString(
+          "base64",
+        )
+  } else {
+    const domain = req.headers[DOMAIN_HEADER]
+    if (
+      !req.headers.authorization ||
+      !DOMAIN_PATTERN.test(domain ?? "")
+    ) {
+      return sendJson(res, 401, {
+        errorMessages: [
+          "no jira credentials, fill out the settings on the board, token.js or JIRA_DOMAIN and JIRA_API_TOKEN",
+        ],
+      })
+    }
+    config = { domain }
+    headers.Authorization = req.headers.authorization
+  }
+  for (const name of FORWARDED_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name]
+  }
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const body = chunks.length ? Buffer.concat(chunks) : undefined
+  const target = `https://${config.domain}${req.url.replace(/^\/jira/, "")}`
+  let upstream
+  try {
+    // fetch follows the attachment redirects to the media api and drops
+    // the auth header when the redirect leaves the jira host
+    upstream = await fetch(target, {
+      method: req.method,
+      headers,
+      body:
+        req.method == "GET" || req.method == "HEAD" ?
+          undefined
+        : body,
+    })
+  } catch (e) {
+    return sendJson(res, 502, {
+      errorMessages: [
+        `could not reach ${config.domain}: ${e.message}`,
+      ],
+    })
+  }
+  const responseHeaders = {}
+  for (const name of RETURNED_HEADERS) {
+    const value = upstream.headers.get(name)
+    if (value) responseHeaders[name] = value
+  }
+  res.writeHead(upstream.status, responseHeaders)
+  res.end(Buffer.from(await upstream.arrayBuffer()))
+}
+
+function serveTokenFile(res) {
+  if (!fs.existsSync(TOKEN_FILE)) {
+    res.writeHead(404)
+    return res.end()
+  }
+  // the board still reads domain, currentProject etc from token.js but the
+  // proxy adds the auth itself, so the token is blanked out here
+  const code = fs
+    .readFileSync(TOKEN_FILE, "utf8")
+    .replace(
+      /(\b(?:const|let|var)\s+apiToken\s*=\s*)(["'`])(?:\\.|(?!\2)[^\\])*\2/,
+      '$1""',
+    )
+  res.writeHead(200, { "content-type": MIME_TYPES[".js"] })
+  res.end(code)
+}
+
+// the decoded path relative to the repo, null when it could point anywhere
+// else. "/%74oken.js" and "/./token.js" both come out as "token.js"
+function getRequestPath(url) {
+  let urlPath
+  try {
+    urlPath = decodeURIComponent(url.replace(/[?#].*$/, ""))
+  } catch (e) {
+    return null
+  }
+  if (/[\\\0]/.test(urlPath)) return null
+  const rel = path.posix.normalize(urlPath).replace(/^\/+/, "")
+  if (rel.split("/").includes("..")) return null
+  return rel || "main.html"
+}
+
+function isPublicFile(rel) {
+  const parts = rel.split("/")
+  if (parts.length == 1) return PUBLIC_FILES.has(rel)
+  return parts.length == 2 && PUBLIC_DIRS.has(parts[0]) && !!parts[1]
+}
+
+function serveStatic(res, rel) {
+  if (!isPublicFile(rel)) {
+    res.writeHead(404)
+    return res.end()
+  }
+  const file = path.join(ROOT, rel)
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404)
+      return res.end()
+    }
+    res.writeHead(200, {
+      "content-type":
+        MIME_TYPES[path.extname(file).toLowerCase()] ??
+        "application/octet-stream",
+    })
+    res.end(data)
+  })
+}
+
+const server = http.createServer((req, res) => {
+  if (!ALLOWED_HOSTS.has(req.headers.host)) {
+    return sendJson(res, 403, {
+      errorMessages: ["only reachable as 127.0.0.1 or localhost"],
+    })
+  }
+  if (req.url == "/jira-proxy") {
+    let config = {}
+    try {
+      config = readConfig()
+    } catch (e) {}
+    return sendJson(res, 200, {
+      proxy: true,
+      // false means the board has to send its own credentials along
+      configured: hasCredentials(config),
+      domain: config.domain ?? null,
+      deploymentType: config.deploymentType ?? null,
+    })
+  }
+  if (req.url.startsWith("/jira/")) {
+    // other sites must not borrow the jira credentials
+    const origin = req.headers.origin
+    if (origin && !ALLOWED_ORIGINS.has(origin)) {
+      return sendJson(res, 403, {
+        errorMessages: [`requests from ${origin} are not allowed`],
+      })
+    }
+    return proxyToJira(req, res).catch((e) => {
+      console.error(e)
+      if (!res.headersSent)
+        sendJson(res, 500, { errorMessages: [e.message] })
+    })
+  }
+  const rel = getRequestPath(req.url)
+  if (rel == null) {
+    res.writeHead(400)
+    return res.end()
+  }
+  // windows paths ignore case, so /TOKEN.js is the token file there
+  if (rel.toLowerCase() == "token.js") return serveTokenFile(res)
+  serveStatic(res, rel)
+})
+
+// only reachable from this machine since it hands out authenticated requests
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`board running at http://127.0.0.1:${PORT}/main.html`)
+})
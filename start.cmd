@@ -1,2 +1,2 @@
 start http://127.0.0.1:15432/main.html
-python -m http.server -d . 15432
\ No newline at end of file
+node server.js
\ No newline at end of file
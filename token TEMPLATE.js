@@ -12,3 +12,10 @@ const imageReplaces = {
   BA: "./images/programer.png",
   BB: "./images/qa.png",
 }
+// "live" talks to jira, "fake" answers from ./fixtures/<jiraFixture>.json
+// with no network or account needed. ?jiraMode=fake&fixture=demo does the same per page load
+const jiraMode = "live"
+const jiraFixture = "demo"
+// "cloud" for *.atlassian.net, "datacenter" for self hosted jira data center
+// or server, where apiToken is a personal access token and email is unused
+const deploymentType = "cloud"